@@ -1,2 +0,0 @@
-DELETE FROM users;
-INSERT INTO users (username, password, full_name, role, active) VALUES ('admin', '$2b$10$r3SOvLhfzTmDF9F98Dizme8xE9CE.UUFHTXA411WxJ0.yR5gspts2', 'Administrator', 'admin', 1);
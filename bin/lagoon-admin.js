@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// lagoon-admin - account administration from the server shell (uses DATABASE_URL from .env)
+//
+//   lagoon-admin create-admin <username> [--password <pw>] [--full-name <name>]
+//   lagoon-admin reset-password <username>
+//   lagoon-admin reset-2fa <username>
+//   lagoon-admin unlock <username> | --ip <address>
+//
+// Without --password, create-admin issues a one-time code that must be changed at first login.
+require('dotenv').config();
+
+const crypto = require('crypto');
+const Database = require('../db-postgres');
+
+const USAGE = `Usage:
+  lagoon-admin create-admin <username> [--password <pw>] [--full-name <name>]
+  lagoon-admin reset-password <username>
+  lagoon-admin reset-2fa <username>
+  lagoon-admin unlock <username> | --ip <address>`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+async function findUser(db, username) {
+  const users = await db.query('SELECT id, username, role, active FROM users WHERE LOWER(username) = LOWER($1)', [username]);
+  if (users.length === 0) {
+    throw new Error(`User "${username}" not found`);
+  }
+  return users[0];
+}
+
+const commands = {
+  async 'create-admin'(db, [username], options) {
+    if (!username) throw new Error(USAGE);
+
+    // A throwaway password keeps the account unusable until the reset code below is used
+    const password = options.password || `${crypto.randomBytes(24).toString('hex')}Aa1`;
+    const { id } = await db.createAdminAccount({ username, password, full_name: options['full-name'] });
+    console.log(`Created admin "${username}" (id ${id})`);
+
+    if (!options.password) {
+      const reset = await db.issuePasswordReset(id, id);
+      console.log(`One-time password: ${reset.code} (expires ${new Date(reset.expires_at).toISOString()})`);
+      console.log('A new password must be chosen at first login.');
+    }
+  },
+
+  async 'reset-password'(db, [username]) {
+    if (!username) throw new Error(USAGE);
+    const user = await findUser(db, username);
+    const reset = await db.issuePasswordReset(user.id, user.id);
+    await db.unlockLogin('username', user.username);
+    console.log(`One-time password for "${user.username}": ${reset.code} (expires ${new Date(reset.expires_at).toISOString()})`);
+    console.log('All sessions were logged out; a new password must be chosen at next login.');
+  },
+
+  async 'reset-2fa'(db, [username]) {
+    if (!username) throw new Error(USAGE);
+    const user = await findUser(db, username);
+    await db.disableTwoFactor(user.id, user.id);
+    await db.revokeUserSessions(user.id, { reason: '2fa_reset' });
+    console.log(`Two-factor authentication cleared for "${user.username}"`);
+  },
+
+  async unlock(db, [username], options) {
+    let result;
+    if (options.ip) {
+      result = await db.unlockLogin('ip', options.ip);
+    } else if (username) {
+      result = await db.unlockLogin('username', username);
+    } else {
+      throw new Error(USAGE);
+    }
+    console.log(`Unlocked (${result.unlockedCount} active lockout${result.unlockedCount === 1 ? '' : 's'} cleared)`);
+  }
+};
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+
+  const { positional, options } = parseArgs(rest);
+  // No first-run bootstrap here: it would print a setup token or create ADMIN_USERNAME before create-admin runs
+  const db = new Database(process.env.DATABASE_URL, { bootstrap: false });
+  try {
+    await db.initialize();
+    await commands[command](db, positional, options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (db.pool) await db.pool.end();
+  }
+}
+
+main();
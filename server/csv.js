@@ -0,0 +1,78 @@
+// Minimal CSV (RFC 4180) read/write for exports and imports - Excel-compatible, UTF-8 with BOM
+const BOM = '\uFEFF';
+
+// Cells starting with = + - @ are run as formulas by spreadsheet apps; a leading ' keeps them as text.
+// Plain numbers (negative coordinates, amounts) are left alone.
+const FORMULA_START = /^[=+\-@]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+function escapeField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Drops the ' added by escapeField so exported files import back unchanged
+function unescapeFormula(field) {
+  return field.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+// rows: array of arrays; the BOM makes Excel open Arabic text correctly
+function toCsv(rows) {
+  return BOM + rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Returns an array of rows (arrays of strings); blank lines are skipped
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(unescapeFormula(field));
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(unescapeFormula(field));
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  row.push(unescapeFormula(field));
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
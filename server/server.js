@@ -6,24 +6,299 @@ const cors = require('cors');
 const path = require('path');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 const Database = require('../db-postgres');
+const totp = require('./totp');
+const { toCsv, parseCsv } = require('./csv');
+const { toXlsx, parseXlsx } = require('./xlsx');
 const db = new Database(process.env.DATABASE_URL);
 
 const app = express();
+// Behind nginx (lagoon.conf) - trust its X-Forwarded-For so req.ip is the device's address
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'lagoon-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+// Placeholder secrets shipped in this repo's config files - never acceptable in production
+const DEFAULT_JWT_SECRETS = ['lagoon-secret-key-change-in-production', 'CHANGE_THIS_TO_A_RANDOM_STRING', 'lagoon-jwt-secret-key-2026-production'];
+const DEFAULT_DB_PASSWORDS = ['lagoon_password_2026', 'CHANGE_THIS_PASSWORD', 'postgres', 'password'];
+
+// Returns a list of problems with the configured secrets (empty when they look fine)
+function checkSecrets() {
+  const problems = [];
+  const secret = process.env.JWT_SECRET;
+  if (!secret || DEFAULT_JWT_SECRETS.includes(secret)) {
+    problems.push('JWT_SECRET is not set or is a default value');
+  } else if (secret.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters');
+  }
+  try {
+    const dbPassword = decodeURIComponent(new URL(process.env.DATABASE_URL || '').password);
+    if (DEFAULT_DB_PASSWORDS.includes(dbPassword)) {
+      problems.push('DATABASE_URL uses a default database password');
+    }
+  } catch (e) {
+    // Unparseable URLs are reported by the database connection instead
+  }
+  return problems;
+}
 
 // Middleware
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 app.use(express.json({ limit: '50mb' }));
 
+// JWT Authentication Middleware - also accepts an X-API-Key on routes that allow API keys
+const authenticateToken = async (req, res, next) => {
+  const apiKeyHeader = req.headers['x-api-key'];
+  if (apiKeyHeader) {
+    if (!req.allowApiKey) {
+      return res.status(403).json({ success: false, error: 'API keys cannot be used on this route', code: 'API_KEY_NOT_ALLOWED' });
+    }
+    try {
+      const apiKey = await db.authenticateApiKey(apiKeyHeader, req.ip);
+      if (!apiKey) {
+        return res.status(401).json({ success: false, error: 'Invalid API key', code: 'API_KEY_INVALID' });
+      }
+      req.apiKey = apiKey;
+      req.user = { id: null, username: `api-key:${apiKey.name}`, role: null, api_key_id: apiKey.id };
+      return next();
+    } catch (error) {
+      return res.json({ success: false, error: error.message });
+    }
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err && err.name !== 'TokenExpiredError') {
+      return res.status(403).json({ success: false, error: 'Invalid token', code: 'TOKEN_INVALID' });
+    }
+    // Tokens issued before access tokens had a lifetime carry no exp claim - treat them as expired
+    if (err || !user.exp) {
+      return res.status(403).json({ success: false, error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
+    // Single-purpose tokens (the 2FA login challenge) are never access tokens, whatever their audience
+    if (user.purpose || user.aud) {
+      return res.status(403).json({ success: false, error: 'Invalid token', code: 'TOKEN_INVALID' });
+    }
+    // Restricted tokens (e.g. a forced password change) only work on routes that opt in to their scope
+    if (user.scope && !(req.allowedTokenScopes || []).includes(user.scope)) {
+      return res.status(403).json({ success: false, error: TOKEN_SCOPE_ERRORS[user.scope] || 'Token not valid for this route', code: 'TOKEN_SCOPE_RESTRICTED', scope: user.scope });
+    }
+    try {
+      if (user.sid && !(await db.touchSession(user.sid, req.ip))) {
+        return res.status(401).json({ success: false, error: 'Session revoked', code: 'SESSION_REVOKED' });
+      }
+      if (user.impersonation_id && !(await db.isImpersonationActive(user.impersonation_id))) {
+        return res.status(401).json({ success: false, error: 'Impersonation ended', code: 'IMPERSONATION_ENDED' });
+      }
+    } catch (error) {
+      return res.json({ success: false, error: error.message });
+    }
+    req.user = user;
+    if (user.impersonation_id) {
+      // Audit every request made while acting as another user, with both identities
+      res.on('finish', () => {
+        db.logImpersonatedRequest({
+          impersonation_id: user.impersonation_id,
+          impersonator_id: user.impersonator.id,
+          target_user_id: user.id,
+          method: req.method,
+          path: req.originalUrl,
+          status_code: res.statusCode,
+          ip_address: req.ip
+        }).catch(e => console.error('Impersonation audit error:', e.message));
+      });
+    }
+    next();
+  });
+};
+
+// Let API keys call this route (read endpoints for integrations); must come before authenticateToken
+const allowApiKey = (req, res, next) => {
+  req.allowApiKey = true;
+  next();
+};
+
+// Permission check for the caller - a user's role and overrides, or an API key's own permission list
+// context = { storeGroupId } of the record being acted on, for store-group-limited grants
+async function checkPermission(req, permissionKey, context = null) {
+  if (req.apiKey) {
+    const storeGroupIds = req.apiKey.store_group_ids;
+    if (context && storeGroupIds && storeGroupIds.length > 0 && !storeGroupIds.includes(context.storeGroupId)) {
+      return false;
+    }
+    return req.apiKey.permissions.includes(permissionKey);
+  }
+  return db.hasPermission(req.user.id, permissionKey, context);
+}
+
+// Every route declares who may call it: requirePermission(key), anyAuthenticatedUser or
+// publicEndpoint. assertRoutePermissions() refuses to start the server if one is missing.
+// resolveContext(req) supplies the resource context, see storeContextFrom().
+const requirePermission = (permissionKey, { resolveContext = null } = {}) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const context = resolveContext ? await resolveContext(req) : null;
+      if (!(await checkPermission(req, permissionKey, context))) {
+        return res.status(403).json({ success: false, error: 'ليس لديك صلاحية لتنفيذ هذا الإجراء', code: 'PERMISSION_DENIED', permission: permissionKey });
+      }
+      next();
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  };
+  middleware.permissionKey = permissionKey;
+  return middleware;
+};
+
+// Permission context from the store group of a record, e.g. storeContextFrom('snapshot', req => req.params.id)
+const storeContextFrom = (resource, getId) => async (req) => ({
+  storeGroupId: await db.getStoreGroupIdFor(resource, getId(req))
+});
+
+// Any logged-in user - routes that only touch the caller's own data
+const anyAuthenticatedUser = (req, res, next) => next();
+anyAuthenticatedUser.routeAccess = 'authenticated';
+
+// No login at all - auth bootstrap and server info
+const publicEndpoint = (req, res, next) => next();
+publicEndpoint.routeAccess = 'public';
+
+function assertRoutePermissions(knownPermissionKeys) {
+  const problems = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    const label = `${Object.keys(layer.route.methods).join(',').toUpperCase()} ${layer.route.path}`;
+    const handlers = layer.route.stack.map(l => l.handle);
+    const authIndex = handlers.indexOf(authenticateToken);
+
+    if (!handlers.some(h => h.permissionKey || h.routeAccess)) {
+      problems.push(`${label}: no requirePermission / anyAuthenticatedUser / publicEndpoint`);
+    }
+    handlers.forEach((h, i) => {
+      if (h.permissionKey && !knownPermissionKeys.includes(h.permissionKey)) {
+        problems.push(`${label}: unknown permission "${h.permissionKey}"`);
+      }
+      if ((h.permissionKey || h.routeAccess === 'authenticated') && (authIndex === -1 || authIndex > i)) {
+        problems.push(`${label}: permission check must come after authenticateToken`);
+      }
+    });
+  }
+  if (problems.length > 0) {
+    throw new Error(`Routes without a valid permission declaration:\n   - ${problems.join('\n   - ')}`);
+  }
+}
+
+// Store-group restriction of an API key, passed to DB list methods as their scope
+function getApiKeyScope(req) {
+  if (req.apiKey && req.apiKey.store_group_ids && req.apiKey.store_group_ids.length > 0) {
+    return { storeGroupIds: req.apiKey.store_group_ids };
+  }
+  return null;
+}
+
+// Row-level scope for data-listing routes: an API key's store groups, or the user's own
+// records plus their subordinates' unless they hold data.view_all (see db.getDataScope)
+async function getRequestScope(req) {
+  if (req.apiKey) {
+    return getApiKeyScope(req);
+  }
+  return db.getDataScope(req.user.id);
+}
+
+// Account-security actions stay with the real account owner; goes after authenticateToken
+const forbidImpersonation = (req, res, next) => {
+  if (req.user.impersonator) {
+    return res.status(403).json({ success: false, error: 'لا يمكن تنفيذ هذا الإجراء أثناء انتحال هوية مستخدم', code: 'IMPERSONATION_FORBIDDEN' });
+  }
+  next();
+};
+
+const TOKEN_SCOPE_ERRORS = {
+  password_change: 'يجب تغيير كلمة المرور قبل المتابعة',
+  '2fa_enrollment': 'يجب تفعيل المصادقة الثنائية قبل المتابعة'
+};
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+// Audience of the login challenge token - only /api/auth/2fa/verify accepts it
+const TWO_FACTOR_CHALLENGE_AUDIENCE = 'lagoon-2fa-challenge';
+
+// Let a restricted-scope token through on this route; must come before authenticateToken
+const allowTokenScope = (...scopes) => (req, res, next) => {
+  req.allowedTokenScopes = scopes;
+  next();
+};
+
+// Sign a short-lived access token; expiresIn is reported to clients in seconds.
+// A scope limits the token to routes that allow it and gets no refresh token.
+function signAccessToken(user, sessionId, scope = null) {
+  const token = jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId, ...(scope ? { scope } : {}) },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+}
+
+// Issue an access token plus a rotating refresh token bound to the login session
+async function issueTokens(user, session) {
+  const refresh = await db.createRefreshToken(session, REFRESH_TOKEN_TTL_DAYS);
+  return { ...signAccessToken(user, session.id), refreshToken: refresh.token, sessionId: session.id };
+}
+
+// Tokens for a completed login. Accounts that still owe a password change or a required
+// 2FA enrollment get a restricted token instead of the full pair.
+async function buildLoginResponse(user, session) {
+  if (user.must_change_password === 1) {
+    const restricted = signAccessToken(user, session.id, 'password_change');
+    return { success: true, ...restricted, mustChangePassword: true, user };
+  }
+  if (user.totp_enabled !== 1 && await db.hasPermission(user.id, 'security.require_2fa')) {
+    const restricted = signAccessToken(user, session.id, '2fa_enrollment');
+    return { success: true, ...restricted, twoFactorEnrollmentRequired: true, user };
+  }
+  const tokens = await issueTokens(user, session);
+  return { success: true, ...tokens, user };
+}
+
+// Check a TOTP code, or a backup code, for a user with 2FA set up
+async function verifySecondFactor(userId, code) {
+  const totpSecret = await db.getTotpSecret(userId);
+  if (!totpSecret) return false;
+  const step = totp.verifyCode(totpSecret.secret, code);
+  if (step !== null) {
+    return db.claimTotpStep(userId, step);
+  }
+  return totpSecret.enabled && db.useBackupCode(userId, code);
+}
+
+// Device details a client reports at login, recorded on the session
+function getSessionInfo(req) {
+  return {
+    device_id: req.body.device_id || crypto.randomUUID(),
+    device_name: req.body.device_name || null,
+    platform: req.body.platform || null,
+    ip_address: req.ip,
+    user_agent: req.headers['user-agent'] || null
+  };
+}
+
 // API-only server for desktop and mobile apps
-app.get('/', (req, res) => {
+app.get('/', publicEndpoint, (req, res) => {
   res.json({
     success: true,
     message: 'Lagoon API Server',
@@ -42,26 +317,8 @@ app.get('/', (req, res) => {
   });
 });
 
-// JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ success: false, error: 'Unauthorized' });
-  }
-
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, error: 'Token expired', code: 'TOKEN_EXPIRED' });
-    }
-    req.user = user;
-    next();
-  });
-};
-
 // ============ DIAGNOSTIC ROUTES ============
-app.get('/api/diagnostic/snapshots', authenticateToken, async (req, res) => {
+app.get('/api/diagnostic/snapshots', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
   try {
     const orphaned = await db.query(`
       SELECT s.id, s.store_id, s.product_id, s.date,
@@ -92,7 +349,7 @@ app.get('/api/diagnostic/snapshots', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/diagnostic/user-debug', authenticateToken, async (req, res) => {
+app.get('/api/diagnostic/user-debug', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const userId = req.user.id;
     
@@ -133,18 +390,52 @@ app.get('/api/diagnostic/user-debug', authenticateToken, async (req, res) => {
   }
 });
 
+// ============ SETUP ROUTES ============
+// First-run setup - only usable while there are no users, with the token printed at startup
+app.get('/api/setup/status', publicEndpoint, async (req, res) => {
+  try {
+    res.json({ success: true, data: { setup_required: await db.needsSetup() } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/setup', publicEndpoint, async (req, res) => {
+  try {
+    const { setup_token, username, password, full_name } = req.body;
+    if (!setup_token || !username || !password) {
+      return res.json({ success: false, error: 'setup_token, username and password are required' });
+    }
+    const result = await db.completeSetup(setup_token, { username, password, full_name });
+    if (!result.success) {
+      return res.status(403).json(result);
+    }
+    console.log(`✅ First-run setup completed - admin "${username}" created`);
+    res.json({ success: true, data: { id: result.id, username } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // ============ AUTH ROUTES ============
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', publicEndpoint, async (req, res) => {
   try {
     const { username, password } = req.body;
-    const result = await db.authenticateUser(username, password);
+    const result = await db.authenticateUser(username, password, getSessionInfo(req));
     
-    if (result.success) {
-      const token = jwt.sign(
-        { id: result.user.id, username: result.user.username, role: result.user.role },
-        JWT_SECRET
+    if (result.success && result.twoFactorRequired) {
+      // Password was right - the client now posts the authenticator code to /api/auth/2fa/verify
+      const challengeToken = jwt.sign(
+        { id: result.user.id, username: result.user.username, purpose: '2fa', device: getSessionInfo(req) },
+        JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL, audience: TWO_FACTOR_CHALLENGE_AUDIENCE }
       );
-      res.json({ success: true, token, user: result.user });
+      res.json({ success: true, twoFactorRequired: true, challengeToken });
+    } else if (result.success) {
+      res.json(await buildLoginResponse(result.user, result.session));
+    } else if (result.retry_after) {
+      res.set('Retry-After', String(result.retry_after));
+      res.status(429).json({ success: false, error: result.error, code: result.code, retry_after: result.retry_after });
     } else {
       res.json({ success: false, error: result.error });
     }
@@ -153,11 +444,18 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
+app.get('/api/auth/me', allowTokenScope('password_change', '2fa_enrollment'), authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
-    const users = await db.query('SELECT id, username, full_name, role, manager_id FROM users WHERE id = $1', [req.user.id]);
+    const users = await db.query('SELECT id, username, full_name, role, manager_id, must_change_password, totp_enabled FROM users WHERE id = $1', [req.user.id]);
     if (users.length > 0) {
-      res.json({ success: true, user: users[0] });
+      // Resolved permission set, so clients need not call /api/permissions/my separately.
+      // Grants limited to store groups only apply within them and are listed apart.
+      const permissions = await db.getUserPermissions(req.user.id);
+      const limitedPermissions = await db.getUserLimitedPermissions(req.user.id);
+      res.json({
+        success: true, user: users[0], permissions, limited_permissions: limitedPermissions,
+        impersonator: req.user.impersonator || null
+      });
     } else {
       res.json({ success: false, error: 'User not found' });
     }
@@ -166,27 +464,339 @@ app.get('/api/auth/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Token refresh - issues a new token using a still-valid token
-app.post('/api/auth/refresh', authenticateToken, async (req, res) => {
+// Token refresh - exchanges a refresh token for a new access token and a rotated refresh token
+app.post('/api/auth/refresh', publicEndpoint, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(401).json({ success: false, error: 'Refresh token required', code: 'REFRESH_TOKEN_INVALID' });
+    }
+    const result = await db.rotateRefreshToken(refreshToken, REFRESH_TOKEN_TTL_DAYS);
+    if (!result.success) {
+      return res.status(401).json({ success: false, error: result.error, code: 'REFRESH_TOKEN_INVALID' });
+    }
+    res.json({ success: true, ...signAccessToken(result.user, result.sessionId), refreshToken: result.token });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Logout - revokes the session the given refresh token belongs to
+app.post('/api/auth/logout', publicEndpoint, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.json({ success: false, error: 'Refresh token required' });
+    }
+    const result = await db.revokeRefreshToken(refreshToken);
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Change own password. Other devices are logged out; after a forced change this
+// session gets a full token pair in place of the restricted one.
+app.put('/api/auth/password', allowTokenScope('password_change'), authenticateToken, anyAuthenticatedUser, forbidImpersonation, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    if (!current_password || !new_password) {
+      return res.json({ success: false, error: 'كلمة المرور الحالية والجديدة مطلوبة' });
+    }
+    await db.changePassword(req.user.id, current_password, new_password, req.user.sid || null);
+
+    if (req.user.scope === 'password_change') {
+      const session = await db.getSession(req.user.sid);
+      return res.json(await buildLoginResponse(await db.getUserById(req.user.id), session));
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// List the current user's active sessions (logged-in devices)
+app.get('/api/auth/sessions', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const sessions = await db.getUserSessions(req.user.id);
+    res.json({ success: true, data: sessions.map(s => ({ ...s, current: s.id === req.user.sid })) });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Log out all other devices of the current user
+app.delete('/api/auth/sessions', authenticateToken, anyAuthenticatedUser, forbidImpersonation, async (req, res) => {
+  try {
+    const result = await db.revokeUserSessions(req.user.id, {
+      exceptSessionId: req.user.sid,
+      revokedBy: req.user.id,
+      reason: 'logout_others'
+    });
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Log out one of the current user's devices
+app.delete('/api/auth/sessions/:id', authenticateToken, anyAuthenticatedUser, forbidImpersonation, async (req, res) => {
+  try {
+    const session = await db.getSession(parseInt(req.params.id));
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    await db.revokeSession(session.id, req.user.id, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ LOGIN SECURITY ROUTES ============
+// Lockout report (admin)
+app.get('/api/security/lockouts', authenticateToken, requirePermission('users.unlock'), async (req, res) => {
+  try {
+    const report = await db.getLoginLockouts({
+      days: req.query.days ? parseInt(req.query.days) : 30,
+      activeOnly: req.query.active === 'true'
+    });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Unlock a username or IP address (admin)
+app.post('/api/security/lockouts/unlock', authenticateToken, requirePermission('users.unlock'), async (req, res) => {
+  try {
+    const { username, ip_address } = req.body;
+    if (!username && !ip_address) {
+      return res.json({ success: false, error: 'username or ip_address is required' });
+    }
+    const result = username
+      ? await db.unlockLogin('username', username, req.user.id)
+      : await db.unlockLogin('ip', ip_address, req.user.id);
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ TWO-FACTOR AUTHENTICATION ROUTES ============
+// Second login step - exchanges the challenge token from /api/auth/login plus a code for tokens
+app.post('/api/auth/2fa/verify', publicEndpoint, async (req, res) => {
   try {
-    // Verify user still exists in DB
-    const users = await db.query('SELECT id, username, role FROM users WHERE id = $1', [req.user.id]);
-    if (users.length === 0) {
-      return res.status(401).json({ success: false, error: 'User not found' });
+    const { challengeToken, code } = req.body;
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken || '', JWT_SECRET, { audience: TWO_FACTOR_CHALLENGE_AUDIENCE });
+    } catch (err) {
+      return res.status(401).json({ success: false, error: 'انتهت صلاحية جلسة تسجيل الدخول، يرجى المحاولة مرة أخرى', code: 'CHALLENGE_INVALID' });
     }
-    const user = users[0];
-    const newToken = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      JWT_SECRET
+    if (challenge.purpose !== '2fa') {
+      return res.status(401).json({ success: false, error: 'Invalid challenge', code: 'CHALLENGE_INVALID' });
+    }
+
+    // Codes are guessable too - count them against the same login throttle
+    const throttle = await db.checkLoginThrottle(challenge.username, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ success: false, error: throttle.error, code: throttle.code, retry_after: throttle.retryAfter });
+    }
+    if (!(await verifySecondFactor(challenge.id, code))) {
+      await db.recordLoginAttempt(challenge.username, req.ip, false);
+      return res.json({ success: false, error: 'رمز التحقق غير صحيح' });
+    }
+
+    const result = await db.completeLogin(challenge.id, { ...challenge.device, ip_address: req.ip, user_agent: req.headers['user-agent'] || null });
+    if (!result.success) {
+      return res.json(result);
+    }
+    res.json(await buildLoginResponse(result.user, result.session));
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/auth/2fa', allowTokenScope('2fa_enrollment'), authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const status = await db.getTwoFactorStatus(req.user.id);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Start enrollment - returns a new secret to scan into an authenticator app
+app.post('/api/auth/2fa/setup', allowTokenScope('2fa_enrollment'), authenticateToken, anyAuthenticatedUser, forbidImpersonation, async (req, res) => {
+  try {
+    const secret = totp.generateSecret();
+    await db.setPendingTotpSecret(req.user.id, secret);
+    res.json({ success: true, data: { secret, otpauth_url: totp.buildOtpAuthUrl(secret, req.user.username) } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Confirm enrollment with a code from the app; backup codes are shown this once
+app.post('/api/auth/2fa/enable', allowTokenScope('2fa_enrollment'), authenticateToken, anyAuthenticatedUser, forbidImpersonation, async (req, res) => {
+  try {
+    const totpSecret = await db.getTotpSecret(req.user.id);
+    if (!totpSecret) {
+      return res.json({ success: false, error: 'يرجى بدء إعداد المصادقة الثنائية أولاً' });
+    }
+    if (totpSecret.enabled) {
+      return res.json({ success: false, error: 'المصادقة الثنائية مفعلة بالفعل' });
+    }
+    if (!(await verifySecondFactor(req.user.id, req.body.code))) {
+      return res.json({ success: false, error: 'رمز التحقق غير صحيح' });
+    }
+    const backupCodes = await db.enableTwoFactor(req.user.id);
+
+    if (req.user.scope === '2fa_enrollment') {
+      const session = await db.getSession(req.user.sid);
+      return res.json({ ...(await buildLoginResponse(await db.getUserById(req.user.id), session)), backupCodes });
+    }
+    res.json({ success: true, backupCodes });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, anyAuthenticatedUser, forbidImpersonation, async (req, res) => {
+  try {
+    if (await checkPermission(req, 'security.require_2fa')) {
+      return res.status(403).json({ success: false, error: 'المصادقة الثنائية إلزامية لدورك ولا يمكن إيقافها' });
+    }
+    if (!(await db.verifyUserPassword(req.user.id, req.body.password)) || !(await verifySecondFactor(req.user.id, req.body.code))) {
+      return res.json({ success: false, error: 'كلمة المرور أو رمز التحقق غير صحيح' });
+    }
+    const result = await db.disableTwoFactor(req.user.id, req.user.id);
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Replace backup codes (e.g. after using several); the old ones stop working
+app.post('/api/auth/2fa/backup-codes', authenticateToken, anyAuthenticatedUser, forbidImpersonation, async (req, res) => {
+  try {
+    const totpSecret = await db.getTotpSecret(req.user.id);
+    if (!totpSecret || !totpSecret.enabled) {
+      return res.json({ success: false, error: 'المصادقة الثنائية غير مفعلة' });
+    }
+    if (!(await verifySecondFactor(req.user.id, req.body.code))) {
+      return res.json({ success: false, error: 'رمز التحقق غير صحيح' });
+    }
+    const backupCodes = await db.generateBackupCodes(req.user.id);
+    res.json({ success: true, backupCodes });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ IMPERSONATION ROUTES ============
+// "View as user" for support - a short-lived token that acts as the target user (admin).
+// It carries an impersonator claim, gets no refresh token, and every request is audited.
+app.post('/api/admin/impersonate/:userId', authenticateToken, requirePermission('users.impersonate'), forbidImpersonation, async (req, res) => {
+  try {
+    const { impersonation, user } = await db.startImpersonation(req.user.id, parseInt(req.params.userId), {
+      reason: req.body.reason || null,
+      ipAddress: req.ip,
+      ttlMinutes: IMPERSONATION_TTL_MINUTES
+    });
+
+    const token = jwt.sign(
+      {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        sid: req.user.sid,
+        impersonator: { id: req.user.id, username: req.user.username },
+        impersonation_id: impersonation.id
+      },
+      JWT_SECRET,
+      { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
     );
-    res.json({ success: true, token: newToken });
+    res.json({
+      success: true,
+      token,
+      expiresIn: IMPERSONATION_TTL_MINUTES * 60,
+      impersonationId: impersonation.id,
+      user: { id: user.id, username: user.username, full_name: user.full_name, role: user.role }
+    });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Stop impersonating - call with the impersonation token; it stops working immediately
+app.delete('/api/admin/impersonate', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    if (!req.user.impersonation_id) {
+      return res.json({ success: false, error: 'Not impersonating' });
+    }
+    const result = await db.endImpersonation(req.user.impersonation_id);
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/impersonations', authenticateToken, requirePermission('users.impersonate'), forbidImpersonation, async (req, res) => {
+  try {
+    const sessions = await db.getImpersonationSessions({
+      impersonatorId: req.query.impersonator_id ? parseInt(req.query.impersonator_id) : null,
+      targetUserId: req.query.target_user_id ? parseInt(req.query.target_user_id) : null,
+      days: parseInt(req.query.days) || 30
+    });
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/admin/impersonations/:id/requests', authenticateToken, requirePermission('users.impersonate'), forbidImpersonation, async (req, res) => {
+  try {
+    const requests = await db.getImpersonationRequests(parseInt(req.params.id));
+    res.json({ success: true, data: requests });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ API KEY ROUTES ============
+app.get('/api/api-keys', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const keys = await db.getApiKeys();
+    res.json({ success: true, data: keys });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Create a key - { name, permissions: [...], store_group_ids?: [...], expires_at? }. The key is shown once.
+app.post('/api/api-keys', authenticateToken, requirePermission('api_keys.manage'), forbidImpersonation, async (req, res) => {
+  try {
+    const apiKey = await db.createApiKey(req.body, req.user.id);
+    res.json({ success: true, data: apiKey });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/api-keys/:id', authenticateToken, requirePermission('api_keys.manage'), forbidImpersonation, async (req, res) => {
+  try {
+    const result = await db.revokeApiKey(parseInt(req.params.id), req.user.id);
+    res.json(result);
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
 // ============ USER ROUTES ============
-app.get('/api/users', authenticateToken, async (req, res) => {
+app.get('/api/users', authenticateToken, requirePermission('users.view'), async (req, res) => {
   try {
     const users = await db.getUsers();
     res.json({ success: true, data: users });
@@ -195,12 +805,8 @@ app.get('/api/users', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/users', authenticateToken, async (req, res) => {
+app.post('/api/users', authenticateToken, requirePermission('users.create'), async (req, res) => {
   try {
-    const canCreate = await db.hasPermission(req.user.id, 'users.create');
-    if (!canCreate) {
-      return res.status(403).json({ success: false, error: 'ليس لديك صلاحية لإضافة مستخدمين' });
-    }
     const result = await db.addUser(req.body, req.user.role);
     res.json({ success: true, data: result });
   } catch (error) {
@@ -208,12 +814,8 @@ app.post('/api/users', authenticateToken, async (req, res) => {
   }
 });
 
-app.put('/api/users/:id', authenticateToken, async (req, res) => {
+app.put('/api/users/:id', authenticateToken, requirePermission('users.edit'), async (req, res) => {
   try {
-    const canEdit = await db.hasPermission(req.user.id, 'users.edit');
-    if (!canEdit) {
-      return res.status(403).json({ success: false, error: 'ليس لديك صلاحية لتعديل المستخدمين' });
-    }
     const result = await db.updateUser({ ...req.body, id: parseInt(req.params.id) }, req.user.role);
     res.json({ success: true, data: result });
   } catch (error) {
@@ -221,12 +823,8 @@ app.put('/api/users/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/users/:id', authenticateToken, async (req, res) => {
+app.delete('/api/users/:id', authenticateToken, requirePermission('users.delete'), async (req, res) => {
   try {
-    const canDelete = await db.hasPermission(req.user.id, 'users.delete');
-    if (!canDelete) {
-      return res.status(403).json({ success: false, error: 'ليس لديك صلاحية لحذف المستخدمين' });
-    }
     await db.deleteUser(parseInt(req.params.id), req.user.role);
     res.json({ success: true });
   } catch (error) {
@@ -234,7 +832,59 @@ app.delete('/api/users/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/users/managers', authenticateToken, async (req, res) => {
+// List a user's sessions (admin)
+app.get('/api/users/:id/sessions', authenticateToken, requirePermission('users.force_logout'), async (req, res) => {
+  try {
+    const sessions = await db.getUserSessions(parseInt(req.params.id), req.query.include_revoked === 'true');
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Force-logout a user from every device, e.g. lost phone or employee leaving (admin)
+app.post('/api/users/:id/force-logout', authenticateToken, requirePermission('users.force_logout'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    let result;
+    if (req.body.session_id) {
+      const session = await db.getSession(parseInt(req.body.session_id));
+      if (!session || session.user_id !== userId) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      result = await db.revokeSession(session.id, req.user.id, 'force_logout');
+    } else {
+      result = await db.revokeUserSessions(userId, { revokedBy: req.user.id, reason: 'force_logout' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Reset a user's password to a one-time code they must change at next login (admin)
+app.post('/api/users/:id/reset-password', authenticateToken, requirePermission('users.reset_password'), async (req, res) => {
+  try {
+    const result = await db.issuePasswordReset(parseInt(req.params.id), req.user.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Clear a user's 2FA, e.g. lost phone; they enroll again at next login if their role requires it (admin)
+app.post('/api/users/:id/2fa/reset', authenticateToken, requirePermission('users.reset_password'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    await db.disableTwoFactor(userId, req.user.id);
+    await db.revokeUserSessions(userId, { revokedBy: req.user.id, reason: '2fa_reset' });
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/users/managers', authenticateToken, requirePermission('users.view'), async (req, res) => {
   try {
     const managers = await db.getManagers();
     res.json({ success: true, data: managers });
@@ -243,7 +893,7 @@ app.get('/api/users/managers', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/users/sales-team', authenticateToken, async (req, res) => {
+app.get('/api/users/sales-team', authenticateToken, requirePermission('users.view'), async (req, res) => {
   try {
     const team = await db.getSalesTeam();
     res.json({ success: true, data: team });
@@ -252,145 +902,385 @@ app.get('/api/users/sales-team', authenticateToken, async (req, res) => {
   }
 });
 
-// ============ PRODUCTS ROUTES ============
-app.get('/api/products', authenticateToken, async (req, res) => {
+// ============ PRODUCTS ROUTES ============
+// ?active=1 hides discontinued products (snapshot forms), ?active=0 lists only discontinued ones;
+// ?archived=1 lists archived products instead (here and on brands, stores and store groups)
+app.get('/api/products', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const active = req.query.active === undefined ? null : req.query.active === '1' || req.query.active === 'true';
+    const products = await db.getProducts({ active, archived: req.query.archived === '1' });
+    res.json({ success: true, data: products });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Barcode scan from the mobile app (EAN-8/13, UPC-A or GTIN-14)
+app.get('/api/products/by-barcode/:code', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const product = await db.getProductByBarcode(req.params.code);
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'لا يوجد منتج بهذا الباركود', code: 'PRODUCT_NOT_FOUND' });
+    }
+    res.json({ success: true, data: product });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/products', authenticateToken, requirePermission('management.products'), async (req, res) => {
+  try {
+    const result = await db.addProduct({ ...req.body, created_by: req.user.id });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/products/:id', authenticateToken, requirePermission('management.products'), async (req, res) => {
+  try {
+    const result = await db.updateProduct({ ...req.body, id: parseInt(req.params.id), updated_by: req.user.id });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Price history - default and per-store-group prices with their effective dates
+app.get('/api/products/:id/prices', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const prices = await db.getProductPrices(parseInt(req.params.id));
+    res.json({ success: true, data: prices });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// body: { price, effective_from (default today), store_group_id (omit for the default price), note }
+app.post('/api/products/:id/prices', authenticateToken, requirePermission('management.products'), async (req, res) => {
+  try {
+    const result = await db.addProductPrice({ ...req.body, product_id: parseInt(req.params.id), created_by: req.user.id });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/products/:id/prices/:priceId', authenticateToken, requirePermission('management.products'), async (req, res) => {
+  try {
+    const result = await db.deleteProductPrice(parseInt(req.params.id), parseInt(req.params.priceId));
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Price in force for a store on a date - ?store_id=&date=YYYY-MM-DD[&product_id=]
+app.get('/api/prices', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const { store_id, date, product_id } = req.query;
+    const prices = await db.getPricesAt(store_id ? parseInt(store_id) : null, date, product_id ? parseInt(product_id) : null);
+    res.json({ success: true, data: product_id ? prices[0] || null : prices });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ ASSORTMENT ROUTES ============
+// Must-stock lists per store (?store_id=) or store group (?store_group_id=), with effective dates
+app.get('/api/assortments', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const { store_id, store_group_id } = req.query;
+    const items = await db.getAssortments({
+      storeId: store_id ? parseInt(store_id) : null,
+      storeGroupId: store_group_id ? parseInt(store_group_id) : null
+    });
+    res.json({ success: true, data: items });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// body: { store_id | store_group_id, product_ids, effective_from (default today), effective_until, note }
+app.post('/api/assortments', authenticateToken, requirePermission('management.stores'), async (req, res) => {
+  try {
+    const result = await db.addAssortmentItems({ ...req.body, created_by: req.user.id });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// body: { effective_until, note } - delists the product after effective_until
+app.put('/api/assortments/:id', authenticateToken, requirePermission('management.stores'), async (req, res) => {
+  try {
+    const result = await db.updateAssortmentItem(parseInt(req.params.id), req.body);
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/assortments/:id', authenticateToken, requirePermission('management.stores'), async (req, res) => {
+  try {
+    const result = await db.deleteAssortmentItem(parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Products the store must carry on ?date= (default today), from its own list and its group's
+app.get('/api/stores/:id/assortment', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const products = await db.getStoreAssortment(parseInt(req.params.id), req.query.date);
+    res.json({ success: true, data: products });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Mobile snapshot form pre-filled with the store's assortment, prices and counts for ?date=
+app.get('/api/stores/:id/snapshot-form', authenticateToken, requirePermission('page.snapshots'), async (req, res) => {
+  try {
+    const form = await db.getSnapshotForm(parseInt(req.params.id), req.query.date);
+    res.json({ success: true, data: form });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ BRANDS ROUTES ============
+app.get('/api/brands', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const brands = await db.getBrands({ archived: req.query.archived === '1' });
+    res.json({ success: true, data: brands });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/brands', authenticateToken, requirePermission('management.brands'), async (req, res) => {
+  try {
+    const result = await db.addBrand(req.body);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/brands/get-or-create', authenticateToken, requirePermission('management.brands'), async (req, res) => {
+  try {
+    console.log('[Server] Get or create brand request body:', req.body);
+    if (!req.body.name || !req.body.name.trim()) {
+      console.log('[Server] No brand name provided');
+      return res.json({ success: false, error: 'Brand name is required' });
+    }
+    console.log('[Server] Get or create brand:', req.body.name.trim());
+    const result = await db.getOrCreateBrand(req.body.name.trim());
+    console.log('[Server] Brand result:', result);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('[Server] Brand get-or-create error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/brands/:id', authenticateToken, requirePermission('management.brands'), async (req, res) => {
+  try {
+    const result = await db.updateBrand({ ...req.body, id: parseInt(req.params.id) });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ CATEGORIES ROUTES ============
+app.get('/api/categories', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
-    const products = await db.getProducts();
-    res.json({ success: true, data: products });
+    const categories = await db.getCategories();
+    res.json({ success: true, data: categories });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/products', authenticateToken, async (req, res) => {
+app.post('/api/categories', authenticateToken, requirePermission('management.products'), async (req, res) => {
   try {
-    const result = await db.addProduct(req.body);
+    const result = await db.addCategory(req.body);
     res.json({ success: true, data: result });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.put('/api/products/:id', authenticateToken, async (req, res) => {
+app.put('/api/categories/:id', authenticateToken, requirePermission('management.products'), async (req, res) => {
   try {
-    const result = await db.updateProduct({ ...req.body, id: parseInt(req.params.id) });
+    const result = await db.updateCategory({ ...req.body, id: parseInt(req.params.id) });
     res.json({ success: true, data: result });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/products/:id', authenticateToken, async (req, res) => {
+app.delete('/api/categories/:id', authenticateToken, requirePermission('management.products'), async (req, res) => {
   try {
-    await db.deleteProduct(parseInt(req.params.id));
+    await db.deleteCategory(parseInt(req.params.id));
     res.json({ success: true });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-// ============ BRANDS ROUTES ============
-app.get('/api/brands', authenticateToken, async (req, res) => {
+// Category filter for reports: ?category_id= limits to that subtree, ?group_by=category rolls rows up
+function getCategoryOptions(req) {
+  return {
+    categoryId: req.query.category_id ? parseInt(req.query.category_id) : null,
+    groupByCategory: req.query.group_by === 'category'
+  };
+}
+
+// Store dimensions, on GET /api/stores and every report:
+// ?region=&city=&channel=&classification=&store_group_id= - comma-separated for several values
+function getStoreFilters(req) {
+  const list = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null);
+  const groups = list(req.query.store_group_id);
+  return {
+    region: list(req.query.region),
+    city: list(req.query.city),
+    channel: list(req.query.channel),
+    classification: list(req.query.classification),
+    storeGroupIds: groups ? groups.map(id => parseInt(id)) : null
+  };
+}
+
+// ============ STORES ROUTES ============
+// Also ?q= (name, code or address) and ?near=lat,lng[&radius_m=] (nearest first, with distance_m)
+app.get('/api/stores', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    let near = null;
+    if (req.query.near) {
+      const [latitude, longitude] = String(req.query.near).split(',').map(Number);
+      if (isNaN(latitude) || isNaN(longitude)) {
+        return res.status(400).json({ success: false, error: 'near must be "latitude,longitude"' });
+      }
+      near = { latitude, longitude, radiusMeters: req.query.radius_m ? Number(req.query.radius_m) : null };
+    }
+    const stores = await db.getStores({
+      archived: req.query.archived === '1',
+      filters: getStoreFilters(req),
+      search: req.query.q || null,
+      near
+    });
+    res.json({ success: true, data: stores });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Candidate duplicates: same code, similar name (Arabic or Latin spelling) or within ?radius_m= (default 100);
+// the strongest ?limit= pairs (default 500)
+app.get('/api/stores/duplicates', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
-    const brands = await db.getBrands();
-    res.json({ success: true, data: brands });
+    const pairs = await db.findStoreDuplicates({
+      nameThreshold: req.query.name_threshold ? Number(req.query.name_threshold) : undefined,
+      radiusMeters: req.query.radius_m ? Number(req.query.radius_m) : undefined,
+      limit: req.query.limit ? Math.min(parseInt(req.query.limit) || 500, 2000) : undefined
+    });
+    res.json({ success: true, data: pairs });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/brands', authenticateToken, async (req, res) => {
+app.get('/api/stores/merges', authenticateToken, requirePermission('management.merge_stores'), async (req, res) => {
   try {
-    const result = await db.addBrand(req.body);
-    res.json({ success: true, data: result });
+    const merges = await db.getStoreMerges({ storeId: req.query.store_id ? parseInt(req.query.store_id) : null });
+    res.json({ success: true, data: merges });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/brands/get-or-create', authenticateToken, async (req, res) => {
+// :id survives; body: { duplicate_id, reason }. The duplicate's history moves to :id and it is archived.
+app.post('/api/stores/:id/merge', authenticateToken, requirePermission('management.merge_stores'), async (req, res) => {
   try {
-    console.log('[Server] Get or create brand request body:', req.body);
-    if (!req.body.name || !req.body.name.trim()) {
-      console.log('[Server] No brand name provided');
-      return res.json({ success: false, error: 'Brand name is required' });
-    }
-    console.log('[Server] Get or create brand:', req.body.name.trim());
-    const result = await db.getOrCreateBrand(req.body.name.trim());
-    console.log('[Server] Brand result:', result);
+    const result = await db.mergeStores(parseInt(req.params.id), parseInt(req.body.duplicate_id), {
+      actorId: req.user.id,
+      reason: req.body.reason
+    });
     res.json({ success: true, data: result });
   } catch (error) {
-    console.error('[Server] Brand get-or-create error:', error);
     res.json({ success: false, error: error.message });
   }
 });
 
-app.put('/api/brands/:id', authenticateToken, async (req, res) => {
+app.post('/api/stores', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
-    const result = await db.updateBrand({ ...req.body, id: parseInt(req.params.id) });
+    const result = await db.addStore(req.body);
     res.json({ success: true, data: result });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/brands/:id', authenticateToken, async (req, res) => {
+app.put('/api/stores/:id', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
-    await db.deleteBrand(parseInt(req.params.id));
-    res.json({ success: true });
+    const result = await db.updateStore({ ...req.body, id: parseInt(req.params.id) });
+    res.json({ success: true, data: result });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-// ============ STORES ROUTES ============
-app.get('/api/stores', authenticateToken, async (req, res) => {
+app.get('/api/stores/:id/contacts', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
-    const stores = await db.getStores();
-    res.json({ success: true, data: stores });
+    const contacts = await db.getStoreContacts(parseInt(req.params.id));
+    res.json({ success: true, data: contacts });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/stores', authenticateToken, async (req, res) => {
+// body: { name, title, phone, email, is_primary }
+app.post('/api/stores/:id/contacts', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
-    const result = await db.addStore(req.body);
+    const result = await db.addStoreContact(parseInt(req.params.id), req.body);
     res.json({ success: true, data: result });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.put('/api/stores/:id', authenticateToken, async (req, res) => {
+app.put('/api/stores/:id/contacts/:contactId', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
-    const result = await db.updateStore({ ...req.body, id: parseInt(req.params.id) });
-    res.json({ success: true, data: result });
+    const result = await db.updateStoreContact(parseInt(req.params.id), parseInt(req.params.contactId), req.body);
+    res.json(result);
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/stores/:id', authenticateToken, async (req, res) => {
+app.delete('/api/stores/:id/contacts/:contactId', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
-    await db.deleteStore(parseInt(req.params.id));
-    res.json({ success: true });
+    const result = await db.deleteStoreContact(parseInt(req.params.id), parseInt(req.params.contactId));
+    res.json(result);
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
 // ============ STORE GROUPS ROUTES ============
-app.get('/api/store-groups', authenticateToken, async (req, res) => {
+app.get('/api/store-groups', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
-    const groups = await db.getStoreGroups();
+    const groups = await db.getStoreGroups({ archived: req.query.archived === '1' });
     res.json({ success: true, data: groups });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/store-groups', authenticateToken, async (req, res) => {
+app.post('/api/store-groups', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
     const result = await db.addStoreGroup(req.body);
     res.json({ success: true, data: result });
@@ -399,7 +1289,7 @@ app.post('/api/store-groups', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/store-groups/get-or-create', authenticateToken, async (req, res) => {
+app.post('/api/store-groups/get-or-create', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
     console.log('[Server] Get or create store group request body:', req.body);
     if (!req.body.name || !req.body.name.trim()) {
@@ -416,7 +1306,7 @@ app.post('/api/store-groups/get-or-create', authenticateToken, async (req, res)
   }
 });
 
-app.put('/api/store-groups/:id', authenticateToken, async (req, res) => {
+app.put('/api/store-groups/:id', authenticateToken, requirePermission('management.stores'), async (req, res) => {
   try {
     const result = await db.updateStoreGroup({ ...req.body, id: parseInt(req.params.id) });
     res.json({ success: true, data: result });
@@ -425,24 +1315,158 @@ app.put('/api/store-groups/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/store-groups/:id', authenticateToken, async (req, res) => {
+// ============ CATALOG IMPORT / EXPORT ROUTES ============
+// Bulk spreadsheets for the catalog: upload -> preview (new / update / unchanged / error rows) -> commit.
+// Files are sent as JSON: { format: 'csv'|'xlsx', data (CSV text, or the XLSX file base64-encoded), filename }
+const CATALOG_ENTITIES = {
+  products: { entity: 'products', permission: 'management.products' },
+  brands: { entity: 'brands', permission: 'management.brands' },
+  stores: { entity: 'stores', permission: 'management.stores' },
+  'store-groups': { entity: 'store_groups', permission: 'management.stores' }
+};
+
+function readCatalogFile({ format = 'csv', data }) {
+  if (!data) {
+    throw new Error('الملف مطلوب');
+  }
+  if (format === 'xlsx') {
+    return parseXlsx(Buffer.from(data, 'base64'));
+  }
+  if (format === 'csv') {
+    return parseCsv(data);
+  }
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+function sendCatalogFile(res, format, filename, rows) {
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.send(toXlsx(rows));
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.send(toCsv(rows));
+}
+
+for (const [path, { entity, permission }] of Object.entries(CATALOG_ENTITIES)) {
+  // ?format=csv|xlsx - the import template is an export of the current catalog
+  app.get(`/api/catalog/${path}/export`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const { columns, rows } = await db.exportCatalog(entity);
+      sendCatalogFile(res, req.query.format, `${path}-${new Date().toISOString().split('T')[0]}`, [columns, ...rows]);
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  // Validate only - returns the preview and its id; nothing is written to the catalog
+  app.post(`/api/catalog/${path}/import`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const sheetRows = readCatalogFile(req.body);
+      const preview = await db.previewCatalogImport(entity, sheetRows, {
+        actorId: req.user.id, filename: req.body.filename || null, format: req.body.format || 'csv'
+      });
+      res.json({ success: true, data: preview });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  app.get(`/api/catalog/${path}/imports/:id`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const catalogImport = await db.getCatalogImport(entity, parseInt(req.params.id));
+      res.json({ success: true, data: catalogImport });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  // Error report: the failed rows with an errors column, ready to fix and upload again
+  app.get(`/api/catalog/${path}/imports/:id/errors`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const { columns, rows } = await db.getCatalogImportErrors(entity, parseInt(req.params.id));
+      sendCatalogFile(res, req.query.format, `${path}-import-${req.params.id}-errors`, [columns, ...rows]);
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  // All rows in one transaction; refused if any row has an error
+  app.post(`/api/catalog/${path}/imports/:id/commit`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const result = await db.commitCatalogImport(entity, parseInt(req.params.id), { actorId: req.user.id });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      if (error.code === 'CATALOG_IMPORT_INVALID') {
+        return res.status(400).json({ success: false, error: error.message, code: error.code, data: { summary: error.summary } });
+      }
+      res.json({ success: false, error: error.message });
+    }
+  });
+}
+
+// ============ ARCHIVE ROUTES ============
+// DELETE archives (soft-delete); history and reports keep the item. Purge is permanent and removes
+// everything that references it - check GET .../impact first. Only archived items can be purged.
+for (const [path, { entity, permission }] of Object.entries(CATALOG_ENTITIES)) {
+  app.delete(`/api/${path}/:id`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const result = await db.archiveCatalogItem(entity, parseInt(req.params.id), req.user.id);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  app.post(`/api/${path}/:id/restore`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const result = await db.restoreCatalogItem(entity, parseInt(req.params.id));
+      res.json(result);
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  app.get(`/api/${path}/:id/impact`, authenticateToken, requirePermission(permission), async (req, res) => {
+    try {
+      const impact = await db.getCatalogItemImpact(entity, parseInt(req.params.id));
+      res.json({ success: true, data: impact });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete(`/api/${path}/:id/purge`, authenticateToken, requirePermission('management.purge'), async (req, res) => {
+    try {
+      const impact = await db.purgeCatalogItem(entity, parseInt(req.params.id), req.user.id);
+      res.json({ success: true, data: impact });
+    } catch (error) {
+      res.json({ success: false, error: error.message });
+    }
+  });
+}
+
+// Log of permanent removals - ?entity=products|stores|brands|store_groups
+app.get('/api/purges', authenticateToken, requirePermission('management.purge'), async (req, res) => {
   try {
-    await db.deleteStoreGroup(parseInt(req.params.id));
-    res.json({ success: true });
+    const purges = await db.getCatalogPurges({ entity: req.query.entity || null });
+    res.json({ success: true, data: purges });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
 // ============ SNAPSHOTS ROUTES ============
-app.get('/api/snapshots', authenticateToken, async (req, res) => {
+app.get('/api/snapshots', allowApiKey, authenticateToken, requirePermission('snapshots.view'), async (req, res) => {
   try {
     const { store_id, product_id, start_date, end_date } = req.query;
     const snapshots = await db.getSnapshotsAll(
       store_id ? parseInt(store_id) : null,
       product_id ? parseInt(product_id) : null,
       start_date,
-      end_date
+      end_date,
+      await getRequestScope(req)
     );
     // Always return consistent format
     res.json({ success: true, data: snapshots || [] });
@@ -452,7 +1476,7 @@ app.get('/api/snapshots', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/snapshots', authenticateToken, async (req, res) => {
+app.post('/api/snapshots', authenticateToken, requirePermission('snapshots.edit', { resolveContext: storeContextFrom('store', req => req.body.store_id) }), async (req, res) => {
   try {
     console.log('[POST /api/snapshots] Received snapshot data:', {
       store_id: req.body.store_id,
@@ -485,13 +1509,51 @@ app.post('/api/snapshots', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/snapshots/:id', authenticateToken, async (req, res) => {
+// A whole store visit in one request: { store_id, date, lines: [{ product_id, qty, price, expiry_date,
+// competitor_prices, note }] }. Saved in one transaction or not at all; data.results reports each line.
+app.post('/api/snapshots/batch', authenticateToken, requirePermission('snapshots.edit', { resolveContext: storeContextFrom('store', req => req.body.store_id) }), async (req, res) => {
+  try {
+    const result = await db.addSnapshotBatch(req.body, req.user.id);
+    console.log(`[POST /api/snapshots/batch] store ${result.store_id}, ${result.date}: ${result.created} created, ${result.updated} updated by ${req.user.username}`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.code === 'SNAPSHOT_BATCH_INVALID') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code, data: { results: error.results } });
+    }
+    console.error('[POST /api/snapshots/batch] Error:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Correct a counted snapshot: { qty, price, expiry_date, competitor_prices, note, reason }; fields left
+// out keep their value. The previous values stay in the history.
+app.put('/api/snapshots/:id', authenticateToken, requirePermission('snapshots.edit', { resolveContext: storeContextFrom('snapshot', req => req.params.id) }), async (req, res) => {
+  try {
+    const result = await db.updateSnapshot(parseInt(req.params.id), req.body, req.user.id, await getRequestScope(req));
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ success: false, error: error.message, code: 'FORBIDDEN' });
+    }
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Every revision of a snapshot with its author and time, oldest first
+app.get('/api/snapshots/:id/history', authenticateToken, requirePermission('snapshots.view', { resolveContext: storeContextFrom('snapshot', req => req.params.id) }), async (req, res) => {
   try {
-    // Check permission from database instead of hardcoded role check
-    const canDelete = await db.hasPermission(req.user.id, 'snapshots.delete');
-    if (!canDelete) {
-      return res.status(403).json({ success: false, error: 'ليس لديك صلاحية لحذف هذا السجل' });
+    const history = await db.getSnapshotHistory(parseInt(req.params.id), await getRequestScope(req));
+    res.json({ success: true, data: history });
+  } catch (error) {
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ success: false, error: error.message, code: 'FORBIDDEN' });
     }
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/snapshots/:id', authenticateToken, requirePermission('snapshots.delete', { resolveContext: storeContextFrom('snapshot', req => req.params.id) }), async (req, res) => {
+  try {
     await db.deleteSnapshot(parseInt(req.params.id));
     res.json({ success: true });
   } catch (error) {
@@ -500,14 +1562,15 @@ app.delete('/api/snapshots/:id', authenticateToken, async (req, res) => {
 });
 
 // ============ DELIVERIES ROUTES ============
-app.get('/api/deliveries', authenticateToken, async (req, res) => {
+app.get('/api/deliveries', allowApiKey, authenticateToken, requirePermission('deliveries.view'), async (req, res) => {
   try {
     const { store_id, product_id, start_date, end_date } = req.query;
     const deliveries = await db.getDeliveriesAll(
       store_id ? parseInt(store_id) : null,
       product_id ? parseInt(product_id) : null,
       start_date,
-      end_date
+      end_date,
+      await getRequestScope(req)
     );
     res.json({ success: true, data: deliveries });
   } catch (error) {
@@ -515,16 +1578,16 @@ app.get('/api/deliveries', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/deliveries', authenticateToken, async (req, res) => {
+app.post('/api/deliveries', authenticateToken, requirePermission('deliveries.create', { resolveContext: storeContextFrom('store', req => req.body.store_id) }), async (req, res) => {
   try {
-    const result = await db.addDelivery(req.body);
+    const result = await db.addDelivery({ ...req.body, user_id: req.user.id });
     res.json({ success: true, data: result });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.delete('/api/deliveries/:id', authenticateToken, async (req, res) => {
+app.delete('/api/deliveries/:id', authenticateToken, requirePermission('deliveries.delete', { resolveContext: storeContextFrom('delivery', req => req.params.id) }), async (req, res) => {
   try {
     await db.deleteDelivery(parseInt(req.params.id));
     res.json({ success: true });
@@ -534,14 +1597,15 @@ app.delete('/api/deliveries/:id', authenticateToken, async (req, res) => {
 });
 
 // ============ RETURNS ROUTES ============
-app.get('/api/returns', authenticateToken, async (req, res) => {
+app.get('/api/returns', authenticateToken, requirePermission('returns.view'), async (req, res) => {
   try {
     const { store_id, product_id, start_date, end_date } = req.query;
     const returns = await db.getReturnsAll(
       store_id ? parseInt(store_id) : null,
       product_id ? parseInt(product_id) : null,
       start_date,
-      end_date
+      end_date,
+      await getRequestScope(req)
     );
     res.json({ success: true, data: returns });
   } catch (error) {
@@ -549,7 +1613,7 @@ app.get('/api/returns', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/returns', authenticateToken, async (req, res) => {
+app.post('/api/returns', authenticateToken, requirePermission('returns.create', { resolveContext: storeContextFrom('store', req => req.body.store_id) }), async (req, res) => {
   try {
     const data = { ...req.body, user_id: req.user.id };
     const result = await db.addReturn(data);
@@ -559,7 +1623,7 @@ app.post('/api/returns', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/returns/:id', authenticateToken, async (req, res) => {
+app.delete('/api/returns/:id', authenticateToken, requirePermission('returns.delete', { resolveContext: storeContextFrom('return', req => req.params.id) }), async (req, res) => {
   try {
     await db.deleteReturn(parseInt(req.params.id));
     res.json({ success: true });
@@ -569,7 +1633,7 @@ app.delete('/api/returns/:id', authenticateToken, async (req, res) => {
 });
 
 // ============ TASKS ROUTES ============
-app.get('/api/tasks', authenticateToken, async (req, res) => {
+app.get('/api/tasks', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     // Convert string query params to proper types
     const filters = { ...req.query };
@@ -585,7 +1649,7 @@ app.get('/api/tasks', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/tasks/my', authenticateToken, async (req, res) => {
+app.get('/api/tasks/my', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const tasks = await db.getMyTasks(req.user.id);
     res.json({ success: true, data: tasks });
@@ -594,7 +1658,7 @@ app.get('/api/tasks/my', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/tasks/stats', authenticateToken, async (req, res) => {
+app.get('/api/tasks/stats', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const stats = await db.getTaskStats(req.user.id, req.user.role);
     res.json({ success: true, data: stats });
@@ -603,7 +1667,28 @@ app.get('/api/tasks/stats', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.get('/api/tasks/metrics', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
+  try {
+    const { user_id, start_date, end_date } = req.query;
+    
+    // If no user_id provided, use authenticated user's ID
+    const targetUserId = user_id ? parseInt(user_id) : req.user.id;
+    
+    if (isNaN(targetUserId)) {
+      return res.json({ success: false, error: 'Invalid user_id' });
+    }
+    
+    const metrics = await db.getTaskMetrics(targetUserId, start_date, end_date, await getRequestScope(req));
+    res.json({ success: true, data: metrics });
+  } catch (error) {
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ success: false, error: error.message, code: 'FORBIDDEN' });
+    }
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/tasks/:id', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const task = await db.getTaskById(parseInt(req.params.id));
     res.json({ success: true, data: task });
@@ -612,7 +1697,7 @@ app.get('/api/tasks/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/tasks', authenticateToken, async (req, res) => {
+app.post('/api/tasks', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const result = await db.addTask(req.body, req.user.id, req.user.role);
     res.json({ success: true, data: result });
@@ -621,7 +1706,7 @@ app.post('/api/tasks', authenticateToken, async (req, res) => {
   }
 });
 
-app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.put('/api/tasks/:id', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const result = await db.updateTask({ ...req.body, id: parseInt(req.params.id) }, req.user.id, req.user.role);
     res.json({ success: true, data: result });
@@ -631,7 +1716,7 @@ app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
 });
 
 // Update task status only (for mobile app quick status changes)
-app.put('/api/tasks/:id/status', authenticateToken, async (req, res) => {
+app.put('/api/tasks/:id/status', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const result = await db.updateTask({ status: req.body.status, id: parseInt(req.params.id) }, req.user.id, req.user.role);
     res.json({ success: true, data: result });
@@ -640,7 +1725,7 @@ app.put('/api/tasks/:id/status', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
+app.delete('/api/tasks/:id', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     await db.deleteTask(parseInt(req.params.id), req.user.id, req.user.role);
     res.json({ success: true });
@@ -649,7 +1734,7 @@ app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/tasks/:id/comments', authenticateToken, async (req, res) => {
+app.get('/api/tasks/:id/comments', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const comments = await db.getTaskComments(parseInt(req.params.id));
     res.json({ success: true, data: comments });
@@ -658,7 +1743,7 @@ app.get('/api/tasks/:id/comments', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/tasks/:id/comments', authenticateToken, async (req, res) => {
+app.post('/api/tasks/:id/comments', authenticateToken, requirePermission('page.tasks'), async (req, res) => {
   try {
     const result = await db.addTaskComment(parseInt(req.params.id), req.user.id, req.body.comment);
     res.json({ success: true, data: result });
@@ -668,7 +1753,7 @@ app.post('/api/tasks/:id/comments', authenticateToken, async (req, res) => {
 });
 
 // ============ TEAM ROUTES ============
-app.get('/api/team/members', authenticateToken, async (req, res) => {
+app.get('/api/team/members', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const members = await db.getTeamMembers(req.user.id);
     res.json({ success: true, data: members });
@@ -677,7 +1762,7 @@ app.get('/api/team/members', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/team/subordinates', authenticateToken, async (req, res) => {
+app.get('/api/team/subordinates', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const subordinates = await db.getAllSubordinatesFlat(req.user.id);
     res.json({ success: true, data: subordinates });
@@ -686,7 +1771,7 @@ app.get('/api/team/subordinates', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/team/hierarchy', authenticateToken, async (req, res) => {
+app.get('/api/team/hierarchy', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     // Use manager_id from query if provided, otherwise use current user's ID
     const managerId = req.query.manager_id ? parseInt(req.query.manager_id) : req.user.id;
@@ -701,7 +1786,7 @@ app.get('/api/team/hierarchy', authenticateToken, async (req, res) => {
 });
 
 // ============ NOTIFICATIONS ROUTES ============
-app.get('/api/notifications', authenticateToken, async (req, res) => {
+app.get('/api/notifications', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const notifications = await db.getNotifications(req.user.id, req.query.unread === 'true');
     res.json({ success: true, data: notifications });
@@ -710,7 +1795,7 @@ app.get('/api/notifications', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/notifications/count', authenticateToken, async (req, res) => {
+app.get('/api/notifications/count', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const count = await db.getUnreadNotificationCount(req.user.id);
     res.json({ success: true, data: { count } });
@@ -719,7 +1804,7 @@ app.get('/api/notifications/count', authenticateToken, async (req, res) => {
   }
 });
 
-app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+app.put('/api/notifications/:id/read', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     await db.markNotificationRead(parseInt(req.params.id), req.user.id);
     res.json({ success: true });
@@ -728,7 +1813,7 @@ app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
   }
 });
 
-app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
+app.put('/api/notifications/read-all', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     await db.markAllNotificationsRead(req.user.id);
     res.json({ success: true });
@@ -738,7 +1823,7 @@ app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
 });
 
 // ============ ROUTE SCHEDULES ============
-app.get('/api/route-schedules', authenticateToken, async (req, res) => {
+app.get('/api/route-schedules', authenticateToken, requirePermission('page.routes'), async (req, res) => {
   try {
     const userId = req.query.user_id ? parseInt(req.query.user_id) : null;
     console.log(`[GET /api/route-schedules] Request from user ${req.user.id} (${req.user.username}), querying userId=${userId}`);
@@ -762,7 +1847,7 @@ app.get('/api/route-schedules', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/route-schedules/my', authenticateToken, async (req, res) => {
+app.get('/api/route-schedules/my', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const schedules = await db.getUserWeeklyScheduleWithVisits(req.user.id);
     res.json({ success: true, data: schedules });
@@ -771,7 +1856,7 @@ app.get('/api/route-schedules/my', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/route-schedules/my-visits', authenticateToken, async (req, res) => {
+app.get('/api/route-schedules/my-visits', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     // Get visits based on snapshots (fallback when no route schedules exist)
     const cairoOffset = 2 * 60 * 60 * 1000;
@@ -818,7 +1903,7 @@ app.get('/api/route-schedules/my-visits', authenticateToken, async (req, res) =>
   }
 });
 
-app.post('/api/route-schedules/init-defaults', authenticateToken, async (req, res) => {
+app.post('/api/route-schedules/init-defaults', authenticateToken, requirePermission('routes.manage'), async (req, res) => {
   try {
     const userId = req.user.id;
     console.log(`[Init Defaults] Creating default routes for user ${userId}`);
@@ -862,7 +1947,7 @@ app.post('/api/route-schedules/init-defaults', authenticateToken, async (req, re
   }
 });
 
-app.post('/api/route-schedules', authenticateToken, async (req, res) => {
+app.post('/api/route-schedules', authenticateToken, requirePermission('routes.manage'), async (req, res) => {
   try {
     const result = await db.addRouteSchedule(req.body, req.user.id);
     res.json({ success: true, data: result });
@@ -871,7 +1956,7 @@ app.post('/api/route-schedules', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/route-schedules/:id', authenticateToken, async (req, res) => {
+app.delete('/api/route-schedules/:id', authenticateToken, requirePermission('routes.manage'), async (req, res) => {
   try {
     const result = await db.deleteRouteSchedule(parseInt(req.params.id));
     res.json({ success: true, data: result });
@@ -880,17 +1965,71 @@ app.delete('/api/route-schedules/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/route-schedules/:id/toggle-visit', authenticateToken, async (req, res) => {
+app.post('/api/route-schedules/:id/toggle-visit', authenticateToken, requirePermission('page.routes'), async (req, res) => {
   try {
     const result = await db.toggleVisitComplete(parseInt(req.params.id), req.body.visit_date, req.user.id);
     res.json({ success: true, data: result });
+  } catch (error) {
+    sendVisitError(res, error);
+  }
+});
+
+// ============ VISIT CHECK-IN ROUTES ============
+// Body: { store_id, latitude, longitude, accuracy[, route_schedule_id] }. Outside the geofence the
+// visit is flagged, or refused with GEOFENCE_REJECTED when VISIT_GEOFENCE_MODE=reject.
+function sendVisitError(res, error) {
+  if (error.code === 'GEOFENCE_REJECTED') {
+    return res.status(422).json({
+      success: false, error: error.message, code: error.code,
+      data: { distance_m: error.distance_m, radius_m: error.radius_m }
+    });
+  }
+  if (error.code === 'CHECK_IN_REQUIRED') {
+    return res.status(409).json({ success: false, error: error.message, code: error.code });
+  }
+  if (error.code === 'VISIT_ALREADY_OPEN') {
+    return res.status(409).json({ success: false, error: error.message, code: error.code, data: { visit_id: error.visit_id } });
+  }
+  res.json({ success: false, error: error.message });
+}
+
+app.post('/api/visits/check-in', authenticateToken, requirePermission('page.routes'), async (req, res) => {
+  try {
+    const result = await db.checkInVisit(req.user.id, req.body);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendVisitError(res, error);
+  }
+});
+
+// Body: { latitude, longitude, accuracy[, visit_id] }; closes the open visit and completes it. Never
+// refused - a check-out away from the store is recorded as outside.
+app.post('/api/visits/check-out', authenticateToken, requirePermission('page.routes'), async (req, res) => {
+  try {
+    const result = await db.checkOutVisit(req.user.id, req.body);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendVisitError(res, error);
+  }
+});
+
+app.get('/api/visits', authenticateToken, requirePermission('page.routes'), async (req, res) => {
+  try {
+    const { user_id, start_date, end_date, flagged } = req.query;
+    const visits = await db.getVisits({
+      userId: user_id ? parseInt(user_id) : null,
+      startDate: start_date || null,
+      endDate: end_date || null,
+      flagged: flagged === '1' || flagged === 'true'
+    }, await getRequestScope(req));
+    res.json({ success: true, data: visits });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
 // ============ COMPETITORS ROUTES ============
-app.get('/api/competitors', authenticateToken, async (req, res) => {
+app.get('/api/competitors', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const competitors = await db.getAllCompetitors();
     res.json({ success: true, data: competitors });
@@ -899,7 +2038,7 @@ app.get('/api/competitors', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/competitors/product/:productId', authenticateToken, async (req, res) => {
+app.get('/api/competitors/product/:productId', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const competitors = await db.getCompetitors(parseInt(req.params.productId));
     res.json({ success: true, data: competitors });
@@ -908,7 +2047,7 @@ app.get('/api/competitors/product/:productId', authenticateToken, async (req, re
   }
 });
 
-app.post('/api/competitors', authenticateToken, async (req, res) => {
+app.post('/api/competitors', authenticateToken, requirePermission('management.products'), async (req, res) => {
   try {
     const result = await db.addCompetitor(req.body);
     res.json({ success: true, data: result });
@@ -917,7 +2056,7 @@ app.post('/api/competitors', authenticateToken, async (req, res) => {
   }
 });
 
-app.put('/api/competitors/:id', authenticateToken, async (req, res) => {
+app.put('/api/competitors/:id', authenticateToken, requirePermission('management.products'), async (req, res) => {
   try {
     const result = await db.updateCompetitor({ ...req.body, id: parseInt(req.params.id) });
     res.json({ success: true, data: result });
@@ -926,7 +2065,7 @@ app.put('/api/competitors/:id', authenticateToken, async (req, res) => {
   }
 });
 
-app.delete('/api/competitors/:id', authenticateToken, async (req, res) => {
+app.delete('/api/competitors/:id', authenticateToken, requirePermission('management.products'), async (req, res) => {
   try {
     await db.deleteCompetitor(parseInt(req.params.id));
     res.json({ success: true });
@@ -936,15 +2075,20 @@ app.delete('/api/competitors/:id', authenticateToken, async (req, res) => {
 });
 
 // ============ TURNOVER ROUTES ============
-app.get('/api/turnover', authenticateToken, async (req, res) => {
-  try {
-    const { store_id, product_id, start_date, end_date } = req.query;
-    const result = await db.calculateTurnover(
-      parseInt(store_id),
-      parseInt(product_id),
-      start_date,
-      end_date
-    );
+app.get('/api/turnover', authenticateToken, requirePermission('page.reports'), async (req, res) => {
+  try {
+    const { store_id, product_id, category_id, start_date, end_date } = req.query;
+    const scope = await getRequestScope(req);
+    // category_id instead of product_id sums the turnover of the whole category
+    const result = category_id && !product_id
+      ? await db.calculateCategoryTurnover(parseInt(store_id), parseInt(category_id), start_date, end_date, scope)
+      : await db.calculateTurnover(
+        parseInt(store_id),
+        parseInt(product_id),
+        start_date,
+        end_date,
+        scope
+      );
     res.json(result);
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -952,7 +2096,7 @@ app.get('/api/turnover', authenticateToken, async (req, res) => {
 });
 
 // ============ KPI ROUTES ============
-app.get('/api/kpi/my-stats', authenticateToken, async (req, res) => {
+app.get('/api/kpi/my-stats', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     const stats = await db.getUserKPIStats(req.user.id, start_date, end_date);
@@ -962,18 +2106,21 @@ app.get('/api/kpi/my-stats', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/kpi/user-stats', authenticateToken, async (req, res) => {
+app.get('/api/kpi/user-stats', authenticateToken, requirePermission('reports.view_team'), async (req, res) => {
   try {
     const { user_id, start_date, end_date } = req.query;
-    const stats = await db.getUserKPIStats(parseInt(user_id), start_date, end_date);
+    const stats = await db.getUserKPIStats(parseInt(user_id), start_date, end_date, await getRequestScope(req));
     res.json({ success: true, data: stats });
   } catch (error) {
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ success: false, error: error.message, code: 'FORBIDDEN' });
+    }
     res.json({ success: false, error: error.message });
   }
 });
 
 // ============ TEAM ADDITIONAL ROUTES ============
-app.get('/api/team/all-subordinates', authenticateToken, async (req, res) => {
+app.get('/api/team/all-subordinates', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const subordinates = await db.getAllSubordinatesFlat(req.user.id);
     res.json({ success: true, data: subordinates });
@@ -983,41 +2130,44 @@ app.get('/api/team/all-subordinates', authenticateToken, async (req, res) => {
 });
 
 // ============ ROUTE SCHEDULES ADDITIONAL ============
-app.get('/api/route-schedules/visit-count', authenticateToken, async (req, res) => {
+app.get('/api/route-schedules/visit-count', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const userId = req.query.user_id ? parseInt(req.query.user_id) : req.user.id;
-    const count = await db.getMonthlyVisitCount(userId);
+    const count = await db.getMonthlyVisitCount(userId, userId === req.user.id ? null : await getRequestScope(req));
     res.json({ success: true, data: count });
   } catch (error) {
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ success: false, error: error.message, code: 'FORBIDDEN' });
+    }
     res.json({ success: false, error: error.message });
   }
 });
 
 // ============ REPORTS ROUTES ============
-app.get('/api/reports/snapshots-matrix', authenticateToken, async (req, res) => {
+app.get('/api/reports/snapshots-matrix', authenticateToken, requirePermission('page.reports'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const matrix = await db.getSnapshotsMatrixReport(startDate, endDate);
+    const matrix = await db.getSnapshotsMatrixReport(startDate, endDate, await getRequestScope(req), getStoreFilters(req));
     res.json({ success: true, data: matrix });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/reports/deliveries-matrix', authenticateToken, async (req, res) => {
+app.get('/api/reports/deliveries-matrix', authenticateToken, requirePermission('page.reports'), async (req, res) => {
   try {
     const { startDate, endDate, store_id } = req.query;
-    const matrix = await db.getDeliveriesMatrixReport(startDate, endDate, store_id ? parseInt(store_id) : null);
+    const matrix = await db.getDeliveriesMatrixReport(startDate, endDate, store_id ? parseInt(store_id) : null, await getRequestScope(req), getCategoryOptions(req), getStoreFilters(req));
     res.json({ success: true, data: matrix });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/reports/competitors', authenticateToken, async (req, res) => {
+app.get('/api/reports/competitors', authenticateToken, requirePermission('page.reports'), async (req, res) => {
   try {
     const { startDate, endDate, storeGroupId } = req.query;
-    const data = await db.getCompetitorsReport(startDate, endDate, storeGroupId ? parseInt(storeGroupId) : null);
+    const data = await db.getCompetitorsReport(startDate, endDate, storeGroupId ? parseInt(storeGroupId) : null, await getRequestScope(req), getStoreFilters(req));
     res.json({ success: true, data });
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -1025,41 +2175,33 @@ app.get('/api/reports/competitors', authenticateToken, async (req, res) => {
 });
 
 // Reports visits - actual visit logs count by user
-app.get('/api/reports/visits', authenticateToken, async (req, res) => {
+app.get('/api/reports/visits', authenticateToken, requirePermission('page.reports'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const data = await db.getVisitsReport(startDate, endDate);
+    const data = await db.getVisitsReport(startDate, endDate, await getRequestScope(req), getStoreFilters(req));
     res.json({ success: true, data });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-// Reports deliveries - actual delivery count by user
-app.get('/api/reports/deliveries', authenticateToken, async (req, res) => {
+// Must-stock products absent or at zero quantity on each visit
+app.get('/api/reports/assortment-compliance', authenticateToken, requirePermission('page.reports'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const data = await db.getDeliveriesReport(startDate, endDate);
+    const data = await db.getAssortmentComplianceReport(startDate, endDate, await getRequestScope(req), getStoreFilters(req));
     res.json({ success: true, data });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-// ============ TASKS METRICS ============
-app.get('/api/tasks/metrics', authenticateToken, async (req, res) => {
+// Reports deliveries - actual delivery count by user
+app.get('/api/reports/deliveries', authenticateToken, requirePermission('page.reports'), async (req, res) => {
   try {
-    const { user_id, start_date, end_date } = req.query;
-    
-    // If no user_id provided, use authenticated user's ID
-    const targetUserId = user_id ? parseInt(user_id) : req.user.id;
-    
-    if (isNaN(targetUserId)) {
-      return res.json({ success: false, error: 'Invalid user_id' });
-    }
-    
-    const metrics = await db.getTaskMetrics(targetUserId, start_date, end_date);
-    res.json({ success: true, data: metrics });
+    const { startDate, endDate } = req.query;
+    const data = await db.getDeliveriesReport(startDate, endDate, await getRequestScope(req), getStoreFilters(req));
+    res.json({ success: true, data });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
@@ -1068,19 +2210,21 @@ app.get('/api/tasks/metrics', authenticateToken, async (req, res) => {
 // ============ PERMISSION ROUTES ============
 
 // Get current user's permissions
-app.get('/api/permissions/my', authenticateToken, async (req, res) => {
+app.get('/api/permissions/my', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
     const permissions = await db.getUserPermissions(req.user.id);
-    res.json({ success: true, data: permissions });
+    const limitedPermissions = await db.getUserLimitedPermissions(req.user.id);
+    res.json({ success: true, data: permissions, limited: limitedPermissions });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
 });
 
-// Check if current user has a specific permission
-app.get('/api/permissions/check/:key', authenticateToken, async (req, res) => {
+// Check if current user has a specific permission (?store_group_id= for store-group-limited grants)
+app.get('/api/permissions/check/:key', authenticateToken, anyAuthenticatedUser, async (req, res) => {
   try {
-    const hasPermission = await db.hasPermission(req.user.id, req.params.key);
+    const context = req.query.store_group_id ? { storeGroupId: parseInt(req.query.store_group_id) } : null;
+    const hasPermission = await checkPermission(req, req.params.key, context);
     res.json({ success: true, data: { allowed: hasPermission } });
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -1088,12 +2232,8 @@ app.get('/api/permissions/check/:key', authenticateToken, async (req, res) => {
 });
 
 // Get all role permissions (admin only)
-app.get('/api/permissions/roles', authenticateToken, async (req, res) => {
+app.get('/api/permissions/roles', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
   try {
-    // Only admin and GM can access
-    if (!['admin', 'general_manager'].includes(req.user.role)) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
     const permissions = await db.getAllRolePermissions();
     res.json({ success: true, data: permissions });
   } catch (error) {
@@ -1102,11 +2242,8 @@ app.get('/api/permissions/roles', authenticateToken, async (req, res) => {
 });
 
 // Get all permission keys
-app.get('/api/permissions/keys', authenticateToken, async (req, res) => {
+app.get('/api/permissions/keys', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
   try {
-    if (!['admin', 'general_manager'].includes(req.user.role)) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
     const keys = await db.getAllPermissionKeys();
     res.json({ success: true, data: keys });
   } catch (error) {
@@ -1115,13 +2252,10 @@ app.get('/api/permissions/keys', authenticateToken, async (req, res) => {
 });
 
 // Update role permission (admin only)
-app.put('/api/permissions/roles/:role/:key', authenticateToken, async (req, res) => {
+app.put('/api/permissions/roles/:role/:key', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
   try {
-    if (!['admin', 'general_manager'].includes(req.user.role)) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
-    const { allowed } = req.body;
-    const result = await db.updateRolePermission(req.params.role, req.params.key, allowed);
+    const { allowed, reason } = req.body;
+    const result = await db.updateRolePermission(req.params.role, req.params.key, allowed, { actorId: req.user.id, reason });
     res.json(result);
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -1129,12 +2263,13 @@ app.put('/api/permissions/roles/:role/:key', authenticateToken, async (req, res)
 });
 
 // Get user permission overrides
-app.get('/api/permissions/users/:userId', authenticateToken, async (req, res) => {
+app.get('/api/permissions/users/:userId', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
   try {
-    if (!['admin', 'general_manager'].includes(req.user.role)) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
-    const overrides = await db.getUserPermissionOverrides(parseInt(req.params.userId));
+    const userId = parseInt(req.params.userId);
+    // ?detailed=true includes expiry and store-group limits
+    const overrides = req.query.detailed === 'true'
+      ? await db.getUserPermissionOverrideDetails(userId)
+      : await db.getUserPermissionOverrides(userId);
     res.json({ success: true, data: overrides });
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -1142,13 +2277,136 @@ app.get('/api/permissions/users/:userId', authenticateToken, async (req, res) =>
 });
 
 // Set user permission override
-app.put('/api/permissions/users/:userId/:key', authenticateToken, async (req, res) => {
+app.put('/api/permissions/users/:userId/:key', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
+  try {
+    const { allowed, expires_at, store_group_ids, reason } = req.body; // allowed: null to remove override
+    const result = await db.setUserPermissionOverride(parseInt(req.params.userId), req.params.key, allowed, {
+      expiresAt: expires_at || null,
+      storeGroupIds: store_group_ids || null,
+      actorId: req.user.id,
+      reason
+    });
+    res.json(result);
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Permission change history - filters: role, user_id, actor_id, permission_key, start_date, end_date
+app.get('/api/permissions/audit', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
   try {
-    if (!['admin', 'general_manager'].includes(req.user.role)) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
+    const { role, user_id, actor_id, permission_key, start_date, end_date, limit, offset } = req.query;
+    const entries = await db.getPermissionAudit({
+      role,
+      user_id: user_id ? parseInt(user_id) : null,
+      actor_id: actor_id ? parseInt(actor_id) : null,
+      permission_key,
+      start_date,
+      end_date,
+      limit: limit ? parseInt(limit) : null,
+      offset: offset ? parseInt(offset) : null
+    });
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Role matrix as JSON or CSV (?format=csv) - one row per permission key, one column per role
+app.get('/api/permissions/matrix', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
+  try {
+    const matrix = await db.getAllRolePermissions();
+    if (req.query.format !== 'csv') {
+      return res.json({ success: true, data: { exported_at: new Date().toISOString(), roles: matrix } });
+    }
+
+    const roles = Object.keys(matrix).sort();
+    const keys = await db.getAllPermissionKeys();
+    const rows = [['permission_key', ...roles]];
+    for (const key of keys) {
+      rows.push([key, ...roles.map(role => key in matrix[role] ? (matrix[role][key] ? 1 : 0) : '')]);
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="permissions-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(toCsv(rows));
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Import a role matrix - body: { format: 'json'|'csv', data, dry_run (default true), reason }.
+// data is the exported { roles } object (or the roles map itself), or the CSV text.
+app.post('/api/permissions/matrix/import', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
+  try {
+    const { format = 'json', data, dry_run = true, reason } = req.body;
+    let matrix;
+    if (format === 'csv') {
+      const [header, ...rows] = parseCsv(data);
+      if (!header || header[0].trim() !== 'permission_key') {
+        return res.status(400).json({ success: false, error: 'CSV must start with a permission_key column' });
+      }
+      const roles = header.slice(1).map(role => role.trim());
+      matrix = Object.fromEntries(roles.map(role => [role, {}]));
+      for (const row of rows) {
+        roles.forEach((role, i) => {
+          const value = (row[i + 1] || '').trim();
+          // Blank cells leave the current value unchanged
+          if (value !== '') {
+            matrix[role][row[0].trim()] = value === '1' || value.toLowerCase() === 'true' ? true
+              : value === '0' || value.toLowerCase() === 'false' ? false : value;
+          }
+        });
+      }
+    } else {
+      matrix = data && data.roles ? data.roles : data;
     }
-    const { allowed } = req.body; // null to remove override
-    const result = await db.setUserPermissionOverride(parseInt(req.params.userId), req.params.key, allowed);
+
+    const result = await db.importRolePermissions(matrix, {
+      dryRun: dry_run !== false,
+      actorId: req.user.id,
+      reason
+    });
+    res.json({ success: result.errors.length === 0, data: result, ...(result.errors.length > 0 ? { error: result.errors.join('; ') } : {}) });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ ROLE ROUTES ============
+
+// Roles with display names and flags (used by user forms and filters)
+app.get('/api/roles', authenticateToken, anyAuthenticatedUser, async (req, res) => {
+  try {
+    const roles = await db.getRoles();
+    res.json({ success: true, data: roles });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Create a role - body: { key, name_ar, name_en, clone_from, is_manager, is_field_staff, is_admin }
+app.post('/api/roles', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
+  try {
+    const role = await db.createRole(req.body, { actorId: req.user.id });
+    res.json({ success: true, data: role });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/roles/:key', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
+  try {
+    const role = await db.updateRole(req.params.key, req.body, { actorId: req.user.id, reason: req.body.reason });
+    res.json({ success: true, data: role });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Only custom roles that no user holds can be deleted
+app.delete('/api/roles/:key', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
+  try {
+    const result = await db.deleteRole(req.params.key, { actorId: req.user.id });
     res.json(result);
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -1158,11 +2416,10 @@ app.put('/api/permissions/users/:userId/:key', authenticateToken, async (req, re
 // ============ INVENTORY ROUTES ============
 
 // Get inventory stock levels
-app.get('/api/inventory/stock', authenticateToken, async (req, res) => {
+app.get('/api/inventory/stock', allowApiKey, authenticateToken, requirePermission('inventory.view_stock'), async (req, res) => {
   try {
-    // Check permission
-    const hasPermission = await db.hasPermission(req.user.id, 'inventory.view_stock');
-    if (!hasPermission) {
+    // Warehouse stock is not per store - keys limited to store groups cannot see it
+    if (getApiKeyScope(req)) {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
     const stock = await db.getInventoryStock();
@@ -1173,7 +2430,7 @@ app.get('/api/inventory/stock', authenticateToken, async (req, res) => {
 });
 
 // Get inventory transactions
-app.get('/api/inventory/transactions', authenticateToken, async (req, res) => {
+app.get('/api/inventory/transactions', allowApiKey, authenticateToken, requirePermission('inventory.view_transactions'), async (req, res) => {
   try {
     const filters = {
       transaction_type: req.query.type,
@@ -1184,7 +2441,7 @@ app.get('/api/inventory/transactions', authenticateToken, async (req, res) => {
       status: req.query.status,
       limit: req.query.limit ? parseInt(req.query.limit) : null
     };
-    const transactions = await db.getInventoryTransactions(filters);
+    const transactions = await db.getInventoryTransactions(filters, getApiKeyScope(req));
     res.json({ success: true, data: transactions });
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -1192,7 +2449,7 @@ app.get('/api/inventory/transactions', authenticateToken, async (req, res) => {
 });
 
 // Get single inventory transaction
-app.get('/api/inventory/transactions/:id', authenticateToken, async (req, res) => {
+app.get('/api/inventory/transactions/:id', authenticateToken, requirePermission('inventory.view_transactions'), async (req, res) => {
   try {
     const transaction = await db.getInventoryTransactionById(parseInt(req.params.id));
     if (!transaction) {
@@ -1205,12 +2462,8 @@ app.get('/api/inventory/transactions/:id', authenticateToken, async (req, res) =
 });
 
 // Create inventory transaction (in)
-app.post('/api/inventory/in', authenticateToken, async (req, res) => {
+app.post('/api/inventory/in', authenticateToken, requirePermission('inventory.create_in', { resolveContext: storeContextFrom('store', req => req.body.store_id) }), async (req, res) => {
   try {
-    const hasPermission = await db.hasPermission(req.user.id, 'inventory.create_in');
-    if (!hasPermission) {
-      return res.status(403).json({ success: false, error: 'Access denied - لا تملك صلاحية إنشاء إذن دخول' });
-    }
     const data = { ...req.body, transaction_type: 'in' };
     const result = await db.createInventoryTransaction(data, req.user.id);
     res.json(result);
@@ -1220,12 +2473,8 @@ app.post('/api/inventory/in', authenticateToken, async (req, res) => {
 });
 
 // Create inventory transaction (out)
-app.post('/api/inventory/out', authenticateToken, async (req, res) => {
+app.post('/api/inventory/out', authenticateToken, requirePermission('inventory.create_out', { resolveContext: storeContextFrom('store', req => req.body.store_id) }), async (req, res) => {
   try {
-    const hasPermission = await db.hasPermission(req.user.id, 'inventory.create_out');
-    if (!hasPermission) {
-      return res.status(403).json({ success: false, error: 'Access denied - لا تملك صلاحية إنشاء إذن خروج' });
-    }
     const data = { ...req.body, transaction_type: 'out' };
     const result = await db.createInventoryTransaction(data, req.user.id);
     res.json(result);
@@ -1235,12 +2484,8 @@ app.post('/api/inventory/out', authenticateToken, async (req, res) => {
 });
 
 // Delete inventory transaction
-app.delete('/api/inventory/transactions/:id', authenticateToken, async (req, res) => {
+app.delete('/api/inventory/transactions/:id', authenticateToken, requirePermission('inventory.delete', { resolveContext: storeContextFrom('inventory_transaction', req => req.params.id) }), async (req, res) => {
   try {
-    const hasPermission = await db.hasPermission(req.user.id, 'inventory.delete');
-    if (!hasPermission) {
-      return res.status(403).json({ success: false, error: 'Access denied - لا تملك صلاحية حذف المعاملات' });
-    }
     const result = await db.deleteInventoryTransaction(parseInt(req.params.id), req.user.id);
     res.json(result);
   } catch (error) {
@@ -1249,12 +2494,8 @@ app.delete('/api/inventory/transactions/:id', authenticateToken, async (req, res
 });
 
 // Approve inventory transaction
-app.put('/api/inventory/transactions/:id/approve', authenticateToken, async (req, res) => {
+app.put('/api/inventory/transactions/:id/approve', authenticateToken, requirePermission('inventory.approve', { resolveContext: storeContextFrom('inventory_transaction', req => req.params.id) }), async (req, res) => {
   try {
-    const hasPermission = await db.hasPermission(req.user.id, 'inventory.approve');
-    if (!hasPermission) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
     const result = await db.approveInventoryTransaction(parseInt(req.params.id), req.user.id);
     res.json(result);
   } catch (error) {
@@ -1263,12 +2504,8 @@ app.put('/api/inventory/transactions/:id/approve', authenticateToken, async (req
 });
 
 // Cancel inventory transaction
-app.put('/api/inventory/transactions/:id/cancel', authenticateToken, async (req, res) => {
+app.put('/api/inventory/transactions/:id/cancel', authenticateToken, requirePermission('inventory.cancel', { resolveContext: storeContextFrom('inventory_transaction', req => req.params.id) }), async (req, res) => {
   try {
-    const hasPermission = await db.hasPermission(req.user.id, 'inventory.delete');
-    if (!hasPermission) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
-    }
     const result = await db.cancelInventoryTransaction(parseInt(req.params.id), req.user.id);
     res.json(result);
   } catch (error) {
@@ -1277,14 +2514,13 @@ app.put('/api/inventory/transactions/:id/cancel', authenticateToken, async (req,
 });
 
 // Get inventory summary report
-app.get('/api/inventory/summary', authenticateToken, async (req, res) => {
+app.get('/api/inventory/summary', allowApiKey, authenticateToken, requirePermission('inventory.view_stock'), async (req, res) => {
   try {
-    const hasPermission = await db.hasPermission(req.user.id, 'inventory.view_stock');
-    if (!hasPermission) {
+    if (getApiKeyScope(req)) {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
     const { start_date, end_date } = req.query;
-    const summary = await db.getInventorySummary(start_date, end_date);
+    const summary = await db.getInventorySummary(start_date, end_date, getCategoryOptions(req));
     res.json({ success: true, data: summary });
   } catch (error) {
     res.json({ success: false, error: error.message });
@@ -1292,7 +2528,7 @@ app.get('/api/inventory/summary', authenticateToken, async (req, res) => {
 });
 
 // ============ SERVER INFO ============
-app.get('/api/server/info', (req, res) => {
+app.get('/api/server/info', publicEndpoint, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -1310,13 +2546,8 @@ app.use((req, res) => {
 
 // Start server
 // ============ DIAGNOSTIC ENDPOINT ============
-app.get('/api/debug/snapshots-check', authenticateToken, async (req, res) => {
+app.get('/api/debug/snapshots-check', authenticateToken, requirePermission('page.access_control'), async (req, res) => {
   try {
-    // Only allow admin access
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ success: false, error: 'Admin only' });
-    }
-    
     // Get total count from stock_snapshot table
     const totalCount = await db.query('SELECT COUNT(*) as count FROM stock_snapshot');
     
@@ -1370,14 +2601,32 @@ app.get('/api/debug/snapshots-check', authenticateToken, async (req, res) => {
 });
 
 async function startServer() {
+  const secretProblems = checkSecrets();
+  if (secretProblems.length > 0) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('❌ Refusing to start in production with insecure configuration:');
+      secretProblems.forEach(p => console.error(`   - ${p}`));
+      console.error('   Generate a secret with: node -e "console.log(require(\'crypto\').randomBytes(48).toString(\'hex\'))"');
+      process.exit(1);
+    }
+    secretProblems.forEach(p => console.warn(`⚠️  ${p} (allowed outside production)`));
+  }
+
   try {
     await db.initialize();
     console.log('✅ Database initialized');
+
+    assertRoutePermissions(await db.getAllPermissionKeys());
     
     // Run maintenance tasks
     try {
       await db.unarchiveActiveTasks();
       await db.archiveOldTasks();
+      await db.purgeExpiredRefreshTokens();
+      await db.purgeOldLoginAttempts();
+      await db.purgeExpiredPermissionOverrides();
+      await db.purgeStaleCatalogImports();
+      await db.refreshProductPrices();
     } catch (e) {
       console.error('Task maintenance error:', e.message);
     }
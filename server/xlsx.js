@@ -0,0 +1,308 @@
+// Minimal XLSX (Office Open XML) read/write for catalog imports and exports - first sheet only,
+// cell values as text. Enough for spreadsheets saved by Excel, LibreOffice and Google Sheets.
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ---------- ZIP container ----------
+
+function writeZip(files) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    parts.push(local, nameBuffer, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuffer.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, ...central, end]);
+}
+
+// Limits checked against the declared sizes before anything is inflated, and again while
+// inflating (declared sizes can lie) - a small upload can otherwise expand to gigabytes
+const MAX_ENTRIES = 1000;
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+
+function tooLarge(what, limit) {
+  return new Error(`Invalid XLSX: ${what} is larger than ${limit / 1024 / 1024} MB uncompressed`);
+}
+
+// Reads the central directory (sizes in local headers may be zero) and returns { read(name) };
+// read() inflates one entry on demand, so parts the reader never asks for cost nothing
+function readZip(buffer) {
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Invalid XLSX: not a zip file');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(endOffset + 10);
+  if (count > MAX_ENTRIES) {
+    throw new Error(`Invalid XLSX: more than ${MAX_ENTRIES} parts`);
+  }
+  let declaredTotal = 0;
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  for (let i = 0; i < count; i++) {
+    if (pointer + 46 > buffer.length || buffer.readUInt32LE(pointer) !== 0x02014b50) {
+      throw new Error('Invalid XLSX: corrupt zip directory');
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const size = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    declaredTotal += size;
+    if (size > MAX_ENTRY_SIZE) {
+      throw tooLarge(name, MAX_ENTRY_SIZE);
+    }
+    if (declaredTotal > MAX_TOTAL_SIZE) {
+      throw tooLarge('the file', MAX_TOTAL_SIZE);
+    }
+    entries.set(name, { method, compressedSize, localOffset });
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+
+  let inflatedTotal = 0;
+  const read = (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      return null;
+    }
+    const { method, compressedSize, localOffset } = entry;
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      const limit = Math.min(MAX_ENTRY_SIZE, MAX_TOTAL_SIZE - inflatedTotal);
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: limit });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw limit < MAX_ENTRY_SIZE ? tooLarge('the file', MAX_TOTAL_SIZE) : tooLarge(name, MAX_ENTRY_SIZE);
+        }
+        throw error;
+      }
+    } else {
+      throw new Error(`Invalid XLSX: unsupported compression method ${method}`);
+    }
+    inflatedTotal += content.length;
+    if (inflatedTotal > MAX_TOTAL_SIZE) {
+      throw tooLarge('the file', MAX_TOTAL_SIZE);
+    }
+    return content;
+  };
+  return { read };
+}
+
+// ---------- Spreadsheet XML ----------
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Text of all <t> elements inside a shared string or inline string (rich text has several runs)
+function textOf(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += unescapeXml(match[1]);
+  }
+  return text;
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/)[0];
+  let index = 0;
+  for (const char of letters) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// rows: array of arrays. Every cell is written as text so codes like 00123 keep their zeros;
+// inline strings are never evaluated, so values starting with = need no escaping here.
+function toXlsx(rows, sheetName = 'Sheet1') {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      if (value === null || value === undefined || value === '') return '';
+      return `<c r="${columnName(c)}${r + 1}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return writeZip({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>',
+    'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + `<sheetData>${sheetRows}</sheetData>`
+      + '</worksheet>'
+  });
+}
+
+// Returns the first sheet as an array of rows (arrays of strings); blank rows are skipped
+function parseXlsx(buffer) {
+  const zip = readZip(buffer);
+  const read = (name) => {
+    const content = zip.read(name);
+    return content ? content.toString('utf8') : null;
+  };
+
+  // First sheet in workbook order -> its part name through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+  if (workbook && rels) {
+    const firstSheet = workbook.match(/<sheet\s[^>]*r:id="([^"]+)"/);
+    if (firstSheet) {
+      const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)]
+        .map(match => match[0])
+        .find(tag => tag.includes(`Id="${firstSheet[1]}"`));
+      const target = rel && rel.match(/Target="([^"]+)"/);
+      if (target) {
+        sheetPath = target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+      }
+    }
+  }
+  const sheet = read(sheetPath);
+  if (!sheet) {
+    throw new Error('Invalid XLSX: worksheet not found');
+  }
+
+  const sharedXml = read('xl/sharedStrings.xml');
+  const shared = sharedXml ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1])) : [];
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = attributes.match(/\br="([A-Z]+)\d+"/);
+      const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+      const rawValue = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 'inlineStr') {
+        value = textOf(body);
+      } else if (type === 's') {
+        value = shared[parseInt(rawValue)] || '';
+      } else if (rawValue !== undefined) {
+        value = unescapeXml(rawValue);
+      }
+      const index = ref ? columnIndex(ref[1]) : row.length;
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+    if (row.some(value => value !== '')) rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  toXlsx,
+  parseXlsx
+};
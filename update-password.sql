@@ -1 +0,0 @@
-UPDATE users SET password = '$2b$10$mQ.NWF3YJEfHTv10ZUoIfe/WjRzuREtoWcqHLrXlSGZ9RCfrUbBmW' WHERE username = 'MohamedHarras';